@@ -0,0 +1,61 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const forge = require('node-forge');
+const { importedCertificates } = require('./fixtures/electron');
+const { importClientCertificate, isIssuedByCa, readPkcs12 } = require('../src/main');
+const { createCertificate } = require('./fixtures/certificates');
+
+const ca = createCertificate({ commonName: 'Test CA', isCa: true });
+const intermediate = createCertificate({ commonName: 'Test Intermediate', issuer: ca, isCa: true });
+const cas = [new crypto.X509Certificate(ca.pem)];
+
+// The shape of Electron's certificate verification request.
+function request(hostname, ...chain) {
+  const certificate = chain.reduceRight((issuerCert, c) => ({ data: c.pem, issuerCert }), undefined);
+  return { hostname, certificate };
+}
+
+test('accepts a chain that leads to a --ca-file CA', () => {
+  const leaf = createCertificate({ commonName: 'site', issuer: intermediate, hosts: ['site.test'] });
+  assert.strictEqual(isIssuedByCa(request('site.test', leaf, intermediate), cas), true);
+  assert.strictEqual(isIssuedByCa(request('other.test', leaf, intermediate), cas), false);
+});
+
+test('rejects a leaf not signed by the presented intermediate', () => {
+  const forged = createCertificate({ commonName: 'site', hosts: ['site.test'] });
+  assert.strictEqual(isIssuedByCa(request('site.test', forged, intermediate), cas), false);
+});
+
+test('rejects a chain from another CA', () => {
+  const otherCa = createCertificate({ commonName: 'Other CA', isCa: true });
+  const leaf = createCertificate({ commonName: 'site', issuer: otherCa, hosts: ['site.test'] });
+  assert.strictEqual(isIssuedByCa(request('site.test', leaf, otherCa), cas), false);
+});
+
+test('imports a PEM client certificate once, as PKCS#12', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron2pdf-client-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const client = createCertificate({ commonName: 'client', issuer: intermediate });
+  const options = {
+    sslCrtPath: path.join(dir, 'client.pem'),
+    sslKeyPath: path.join(dir, 'client.key'),
+    sslKeyPassword: 'secret',
+    logLevel: 'none',
+  };
+  fs.writeFileSync(options.sslCrtPath, client.pem + intermediate.pem);
+  fs.writeFileSync(options.sslKeyPath, forge.pki.privateKeyToPem(client.key));
+
+  const der = await importClientCertificate(options);
+  assert.ok(der.equals(new crypto.X509Certificate(client.pem).raw));
+  assert.strictEqual(await importClientCertificate(options), der);
+  assert.strictEqual(importedCertificates.length, 1);
+
+  const { password, data } = importedCertificates[0];
+  const { key, certificates } = readPkcs12(data, password, 'import');
+  assert.deepStrictEqual(certificates.map((c) => c.subject.getField('CN').value), ['client', 'Test Intermediate']);
+  assert.strictEqual(forge.pki.privateKeyToPem(key), forge.pki.privateKeyToPem(client.key));
+});
@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+require('./fixtures/electron');
+const {
+  formatNetscapeCookies, loadCookieJar, parseNetscapeCookies, saveCookieJar,
+} = require('../src/main');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron2pdf-cookies-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const jar = [
+  '# Netscape HTTP Cookie File',
+  '',
+  '.site.test\tTRUE\t/\tFALSE\t0\tsession\tabc',
+  '#HttpOnly_api.site.test\tFALSE\t/v1\tTRUE\t4102444800\ttoken\ta\tb',
+  'old.test\tFALSE\t/\tFALSE\t1000\texpired\tx',
+  'broken line',
+  '',
+].join('\n');
+
+// A session whose cookie store is a plain array.
+function cookieSession(cookies = []) {
+  return {
+    cookies: {
+      set: async (details) => cookies.push(details),
+      get: async () => cookies,
+    },
+  };
+}
+
+test('parses Netscape cookie files', () => {
+  assert.deepStrictEqual(parseNetscapeCookies(jar), [
+    {
+      domain: '.site.test', includeSubdomains: true, path: '/', secure: false, expires: 0, name: 'session', value: 'abc', httpOnly: false,
+    },
+    {
+      domain: 'api.site.test', includeSubdomains: false, path: '/v1', secure: true, expires: 4102444800, name: 'token', value: 'a\tb', httpOnly: true,
+    },
+    {
+      domain: 'old.test', includeSubdomains: false, path: '/', secure: false, expires: 1000, name: 'expired', value: 'x', httpOnly: false,
+    },
+  ]);
+});
+
+test('formats the cookies of a session', () => {
+  const text = formatNetscapeCookies([
+    { domain: 'site.test', hostOnly: false, path: '/', secure: false, session: true, name: 'session', value: 'abc' },
+    {
+      domain: 'api.site.test', hostOnly: true, path: '/v1', secure: true, httpOnly: true, expirationDate: 4102444800.5, name: 'token', value: 'a\tb',
+    },
+  ]);
+  assert.strictEqual(text, [
+    '# Netscape HTTP Cookie File',
+    '',
+    '.site.test\tTRUE\t/\tFALSE\t0\tsession\tabc',
+    '#HttpOnly_api.site.test\tFALSE\t/v1\tTRUE\t4102444800\ttoken\ta\tb',
+    '',
+  ].join('\n'));
+  assert.deepStrictEqual(parseNetscapeCookies(text), parseNetscapeCookies(jar).slice(0, 2));
+});
+
+test('loads the unexpired cookies of a jar and saves the session back', async () => {
+  const jarPath = path.join(dir, 'cookies.txt');
+  fs.writeFileSync(jarPath, jar);
+  const cookies = [];
+  await loadCookieJar(cookieSession(cookies), jarPath);
+  assert.deepStrictEqual(cookies, [
+    {
+      url: 'http://site.test/', name: 'session', value: 'abc', domain: 'site.test', path: '/', secure: false, httpOnly: false, expirationDate: undefined,
+    },
+    {
+      url: 'https://api.site.test/v1', name: 'token', value: 'a\tb', domain: undefined, path: '/v1', secure: true, httpOnly: true, expirationDate: 4102444800,
+    },
+  ]);
+
+  await loadCookieJar(cookieSession(), path.join(dir, 'missing.txt'));
+
+  const saved = path.join(dir, 'saved.txt');
+  await saveCookieJar(cookieSession([{ domain: 'site.test', path: '/', name: 'n', value: 'v', session: true }]), saved);
+  assert.strictEqual(fs.readFileSync(saved, 'utf8'), '# Netscape HTTP Cookie File\n\n.site.test\tTRUE\t/\tFALSE\t0\tn\tv\n');
+  if (process.platform !== 'win32') assert.strictEqual(fs.statSync(saved).mode & 0o777, 0o600);
+});
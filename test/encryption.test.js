@@ -0,0 +1,72 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const { test } = require('node:test');
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+require('./fixtures/electron');
+const { encryptDocument } = require('../src/main');
+
+function aesDecrypt(algorithm, key, iv, data, padding) {
+  const decipher = crypto.createDecipheriv(algorithm, key, iv);
+  decipher.setAutoPadding(padding);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+// Algorithm 2.B of ISO 32000-2, written out separately from main.js.
+function hash(password, salt, userKey = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  for (let round = 0; ; round++) {
+    const input = Buffer.concat([password, k, userKey]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    const e = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(input))), cipher.final()]);
+    const mod = e.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][mod]).update(e).digest();
+    if (round >= 63 && e[e.length - 1] <= round - 32) return k.subarray(0, 32);
+  }
+}
+
+// Algorithm 2.A: the file key from a password, or null when it is wrong.
+function fileKeyFor(encrypt, password, owner) {
+  const bytes = (key) => Buffer.from(encrypt.lookup(PDFName.of(key), PDFHexString).asBytes());
+  const pw = Buffer.from(password, 'utf8');
+  const u = bytes('U');
+  const entry = owner ? bytes('O') : u;
+  const userKey = owner ? u : Buffer.alloc(0);
+  if (!hash(pw, entry.subarray(32, 40), userKey).equals(entry.subarray(0, 32))) return null;
+  const intermediate = hash(pw, entry.subarray(40, 48), userKey);
+  return aesDecrypt('aes-256-cbc', intermediate, Buffer.alloc(16), bytes(owner ? 'OE' : 'UE'), false);
+}
+
+test('encrypts strings and streams with AES-256 under both passwords', async () => {
+  const doc = await PDFDocument.create();
+  doc.setTitle('Secret title');
+  doc.addPage([200, 200]).drawText('secret text');
+  await doc.flush();
+  const contentRefs = doc.getPages()[0].node.Contents().asArray();
+  const streamsIn = (d) => contentRefs.map((ref) => Buffer.from(d.context.lookup(ref).getContents()));
+  const plain = streamsIn(doc);
+
+  const fileKey = encryptDocument(doc, { userPassword: 'user', ownerPassword: 'owner', denied: ['print', 'copy'] });
+  const saved = await PDFDocument.load(await doc.save({ useObjectStreams: false }), { ignoreEncryption: true });
+  const encrypt = saved.context.lookup(saved.context.trailerInfo.Encrypt);
+
+  assert.strictEqual(encrypt.lookup(PDFName.of('V')).asNumber(), 5);
+  assert.strictEqual(encrypt.lookup(PDFName.of('R')).asNumber(), 6);
+  assert.ok(fileKeyFor(encrypt, 'user', false).equals(fileKey));
+  assert.ok(fileKeyFor(encrypt, 'owner', true).equals(fileKey));
+  assert.strictEqual(fileKeyFor(encrypt, 'owner', false), null);
+  assert.strictEqual(fileKeyFor(encrypt, 'user', true), null);
+
+  // Bits 3 and 12 (print) and 5 (copy) are cleared, and Perms repeats P.
+  const p = encrypt.lookup(PDFName.of('P')).asNumber();
+  assert.strictEqual(p, 0xfffffffc & ~(1 << 2) & ~(1 << 11) & ~(1 << 4));
+  const perms = aesDecrypt('aes-256-ecb', fileKey, null, encrypt.lookup(PDFName.of('Perms'), PDFHexString).asBytes(), false);
+  assert.strictEqual(perms.readInt32LE(0), p);
+  assert.strictEqual(perms.toString('latin1', 9, 12), 'adb');
+
+  const decrypt = (bytes) => aesDecrypt('aes-256-cbc', fileKey, bytes.subarray(0, 16), bytes.subarray(16), true);
+  assert.deepStrictEqual(streamsIn(saved).map(decrypt), plain);
+  const title = saved.getInfoDict().lookup(PDFName.of('Title'), PDFHexString);
+  assert.strictEqual(PDFHexString.of(decrypt(Buffer.from(title.asBytes())).toString('hex')).decodeText(), 'Secret title');
+  assert.strictEqual(saved.context.trailerInfo.ID.size(), 2);
+});
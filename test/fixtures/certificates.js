@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+let serial = 1;
+
+// A certificate signed by `issuer` (self-signed without one), with its key.
+function createCertificate({ commonName, issuer = null, isCa = false, hosts = [], extKeyUsage = [] }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+  const key = forge.pki.privateKeyFromPem(privateKey);
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey);
+  cert.serialNumber = String(serial++).padStart(2, '0');
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ shortName: 'CN', value: commonName }]);
+  cert.setIssuer((issuer ? issuer.cert : cert).subject.attributes);
+  const extensions = [{ name: 'basicConstraints', cA: isCa, critical: true }];
+  if (hosts.length > 0) {
+    extensions.push({ name: 'subjectAltName', altNames: hosts.map((value) => ({ type: 2, value })) });
+  }
+  if (extKeyUsage.length > 0) {
+    const usages = Object.fromEntries(extKeyUsage.map((usage) => [usage, true]));
+    extensions.push({ name: 'extKeyUsage', critical: true, ...usages });
+  }
+  cert.setExtensions(extensions);
+  cert.sign(issuer ? issuer.key : key, forge.md.sha256.create());
+
+  return { cert, key, pem: forge.pki.certificateToPem(cert) };
+}
+
+module.exports = { createCertificate };
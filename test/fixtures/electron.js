@@ -0,0 +1,100 @@
+const fs = require('fs');
+const Module = require('module');
+const { PDFDocument } = require('pdf-lib');
+
+// main.js needs electron to render pages. `require('electron')` resolves to
+// this module instead, so the tests do not depend on the electron download:
+// the PDF stages run as they are, and renders go through FakeBrowserWindow.
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function resolveElectron(request, ...rest) {
+  if (request === 'electron') return __filename;
+  return resolveFilename.call(this, request, ...rest);
+};
+
+// What loading a URL does, keyed by URL: { status, error, resources, pageCount }.
+// `error` makes loadURL reject; each resource is { url, status } or { url, error }.
+const pages = new Map();
+const windows = [];
+
+function fakeSession() {
+  const listeners = {};
+  const hook = (event) => (...args) => {
+    listeners[event] = args[args.length - 1];
+  };
+  return {
+    listeners,
+    webRequest: {
+      onBeforeRequest: hook('onBeforeRequest'),
+      onBeforeSendHeaders: hook('onBeforeSendHeaders'),
+      onSendHeaders: hook('onSendHeaders'),
+      onCompleted: hook('onCompleted'),
+      onErrorOccurred: hook('onErrorOccurred'),
+    },
+    cookies: { set: async () => {}, get: async () => [] },
+    setCertificateVerifyProc() {},
+    setProxy: async () => {},
+    clearStorageData: async () => {},
+    clearAuthCache: async () => {},
+  };
+}
+
+class FakeBrowserWindow {
+  constructor(options) {
+    this.options = options;
+    this.url = '';
+    this.destroyed = false;
+    this.webContents = {
+      session: fakeSession(),
+      on() {},
+      removeAllListeners() {},
+      getURL: () => this.url,
+      getTitle: () => '',
+      executeJavaScript: async () => undefined,
+      insertCSS: async () => {},
+      setZoomFactor() {},
+      printToPDF: async () => {
+        const doc = await PDFDocument.create();
+        const page = pages.get(this.url) || {};
+        for (let i = 0; i < (page.pageCount || 1); i++) doc.addPage();
+        return Buffer.from(await doc.save());
+      },
+    };
+    windows.push(this);
+  }
+
+  async loadURL(url, loadOptions) {
+    this.url = url;
+    this.loadOptions = loadOptions;
+    const page = pages.get(url) || {};
+    const { listeners } = this.webContents.session;
+    let id = 0;
+    const notify = (details) => {
+      const event = details.error ? 'onErrorOccurred' : 'onCompleted';
+      if (listeners[event]) listeners[event]({ id: id++, ...details });
+    };
+    for (const resource of page.resources || []) {
+      notify({ resourceType: 'image', url: resource.url, statusCode: resource.status, error: resource.error });
+    }
+    if (page.error) throw new Error(page.error);
+    notify({ resourceType: 'mainFrame', url, statusCode: page.status || 200 });
+  }
+
+  close() {
+    this.destroyed = true;
+  }
+
+  isDestroyed() {
+    return this.destroyed;
+  }
+}
+
+// The PKCS#12 files given to app.importCertificate, read while they exist.
+const importedCertificates = [];
+const app = {
+  importCertificate(options, callback) {
+    importedCertificates.push({ password: options.password, data: fs.readFileSync(options.certificate) });
+    callback(0);
+  },
+};
+
+module.exports = { app, BrowserWindow: FakeBrowserWindow, importedCertificates, pages, windows };
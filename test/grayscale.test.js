@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const jpeg = require('jpeg-js');
+const {
+  PDFDocument, PDFArray, PDFName, PDFRawStream, PDFRef, decodePDFRawStream, rgb,
+} = require('pdf-lib');
+require('./fixtures/electron');
+const { convertToGrayscale } = require('../src/main');
+
+async function pageContent(bytes) {
+  const doc = await PDFDocument.load(bytes);
+  const contents = doc.getPages()[0].node.get(doc.context.obj('Contents'));
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  return {
+    refs,
+    text: refs
+      .map((ref) => Buffer.from(decodePDFRawStream(doc.context.lookup(ref, PDFRawStream)).decode()).toString('latin1'))
+      .join('\n'),
+  };
+}
+
+test('greyscales content drawn with pdf-lib', async () => {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([200, 200]);
+  page.drawRectangle({ x: 10, y: 10, width: 50, height: 50, color: rgb(1, 0, 0) });
+  page.drawText('Header', { x: 10, y: 150, size: 12, color: rgb(0, 0, 1) });
+
+  convertToGrayscale(doc);
+  const { refs, text } = await pageContent(await doc.save());
+
+  assert.ok(refs.every((ref) => ref instanceof PDFRef), 'page content must be an indirect stream');
+  assert.match(text, /\bTj\b/);
+  assert.match(text, /\b0\.3 g\b/);
+  assert.match(text, /\b0\.11 g\b/);
+  assert.doesNotMatch(text, / rg\b/);
+});
+
+test('keeps JPEG images as DCT at their own quality', async () => {
+  // A photo-like gradient with some noise, not a multiple of 8 pixels wide.
+  const width = 203;
+  const height = 150;
+  const data = Buffer.alloc(width * height * 4);
+  let seed = 1;
+  for (let i = 0; i < width * height; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    const x = i % width;
+    const y = Math.floor(i / width);
+    data[i * 4] = (x + (seed & 15)) & 0xff;
+    data[i * 4 + 1] = (y + x / 2) & 0xff;
+    data[i * 4 + 2] = 255 - y;
+    data[i * 4 + 3] = 255;
+  }
+  const source = Uint8Array.from(jpeg.encode({ data, width, height }, 80).data);
+
+  const original = await PDFDocument.create();
+  const image = await original.embedJpg(source);
+  original.addPage([width, height]).drawImage(image, { x: 0, y: 0 });
+  const doc = await PDFDocument.load(await original.save());
+  convertToGrayscale(doc);
+  const saved = await PDFDocument.load(await doc.save());
+
+  const stream = saved.context.lookup(image.ref, PDFRawStream);
+  assert.strictEqual(stream.dict.lookup(PDFName.of('Filter')), PDFName.of('DCTDecode'));
+  assert.strictEqual(stream.dict.lookup(PDFName.of('ColorSpace')), PDFName.of('DeviceGray'));
+  assert.ok(stream.getContents().length < source.length, 'the gray JPEG is larger than the colour one');
+
+  const gray = jpeg.decode(stream.getContents(), { useTArray: true, formatAsRGBA: false });
+  assert.deepStrictEqual([gray.width, gray.height], [width, height]);
+  const colour = jpeg.decode(source, { useTArray: true, formatAsRGBA: false }).data;
+  let error = 0;
+  for (let i = 0; i < width * height; i++) {
+    const luma = 0.3 * colour[i * 3] + 0.59 * colour[i * 3 + 1] + 0.11 * colour[i * 3 + 2];
+    error += Math.abs(gray.data[i * 3] - luma);
+  }
+  assert.ok(error / (width * height) < 4, `mean error ${error / (width * height)}`);
+});
@@ -0,0 +1,22 @@
+const assert = require('assert');
+const { test } = require('node:test');
+require('./fixtures/electron');
+const { withPageVariablesQuery } = require('../src/main');
+
+test('passes the page variables as a query string', () => {
+  const vars = { page: 3, topage: 10, title: 'A & B é' };
+  assert.strictEqual(
+    withPageVariablesQuery('file:///tmp/header.html', vars),
+    'file:///tmp/header.html?page=3&topage=10&title=A%20%26%20B%20%C3%A9',
+  );
+  assert.strictEqual(
+    withPageVariablesQuery('http://site.test/footer.html?lang=en#top', { page: 1 }),
+    'http://site.test/footer.html?lang=en&page=1#top',
+  );
+});
+
+test('leaves data: and unparsable URLs alone', () => {
+  const dataUrl = 'data:text/html,<p>header</p>';
+  assert.strictEqual(withPageVariablesQuery(dataUrl, { page: 1 }), dataUrl);
+  assert.strictEqual(withPageVariablesQuery('header.html', { page: 1 }), 'header.html');
+});
@@ -0,0 +1,56 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { pages } = require('./fixtures/electron');
+const { EXIT_MISSING_RESOURCES, parseArgsArray, renderDocument } = require('../src/main');
+
+pages.set('http://site.test/ok', {});
+pages.set('http://site.test/favicon', { resources: [{ url: 'http://site.test/favicon.ico', status: 404 }] });
+pages.set('http://site.test/image', { resources: [{ url: 'http://cdn.test/a.png', error: 'net::ERR_CONNECTION_REFUSED' }] });
+pages.set('http://site.test/blocked', { resources: [{ url: 'file:///etc/passwd', error: 'net::ERR_BLOCKED_BY_CLIENT' }] });
+pages.set('http://site.test/missing', { status: 404 });
+pages.set('http://site.test/down', { error: 'ERR_NAME_NOT_RESOLVED (-105)' });
+
+// The exit code main() ends with for these arguments.
+async function exitCode(...args) {
+  const { inputs, options, pageOptions } = parseArgsArray(['--log-level', 'none', '--javascript-delay', '0', ...args]);
+  try {
+    const result = await renderDocument({ inputs, options, pageOptions });
+    return result.incomplete ? EXIT_MISSING_RESOURCES : 0;
+  } catch (err) {
+    assert.strictEqual(err.name, 'LoadError', err.stack);
+    return err.exitCode;
+  }
+}
+
+test('ignores failed resources by default', async () => {
+  assert.strictEqual(await exitCode('http://site.test/ok', 'out.pdf'), 0);
+  assert.strictEqual(await exitCode('http://site.test/favicon', 'out.pdf'), 0);
+  assert.strictEqual(await exitCode('http://site.test/image', 'out.pdf'), 0);
+  assert.strictEqual(await exitCode('http://site.test/blocked', 'out.pdf'), 0);
+});
+
+test('--load-media-error-handling abort fails with the resource error', async () => {
+  const abort = ['--load-media-error-handling', 'abort'];
+  assert.strictEqual(await exitCode(...abort, 'http://site.test/favicon', 'out.pdf'), 4);
+  assert.strictEqual(await exitCode(...abort, 'http://site.test/image', 'out.pdf'), 3);
+  assert.strictEqual(await exitCode(...abort, 'http://site.test/blocked', 'out.pdf'), 0);
+});
+
+test('--load-media-error-handling skip drops the input', async () => {
+  const skip = ['--load-media-error-handling', 'skip'];
+  assert.strictEqual(await exitCode(...skip, 'http://site.test/ok', 'http://site.test/image', 'out.pdf'), 5);
+  assert.strictEqual(await exitCode(...skip, 'http://site.test/image', 'out.pdf'), 3);
+});
+
+test('--load-error-handling decides about pages that fail to load', async () => {
+  assert.strictEqual(await exitCode('http://site.test/missing', 'out.pdf'), 4);
+  assert.strictEqual(await exitCode('http://site.test/down', 'out.pdf'), 3);
+
+  const ignore = ['--load-error-handling', 'ignore'];
+  assert.strictEqual(await exitCode(...ignore, 'http://site.test/missing', 'out.pdf'), 0);
+  assert.strictEqual(await exitCode(...ignore, 'http://site.test/down', 'out.pdf'), 0);
+
+  const skip = ['--load-error-handling', 'skip'];
+  assert.strictEqual(await exitCode(...skip, 'http://site.test/ok', 'http://site.test/missing', 'out.pdf'), 5);
+  assert.strictEqual(await exitCode(...skip, 'http://site.test/down', 'out.pdf'), 3);
+});
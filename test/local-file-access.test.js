@@ -0,0 +1,65 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { test, after } = require('node:test');
+require('./fixtures/electron');
+const { isPathInside, restrictLocalFileAccess } = require('../src/main');
+
+const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'electron2pdf-files-')));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function write(relative, text = '') {
+  const p = path.join(dir, relative);
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.writeFileSync(p, text);
+  return p;
+}
+
+// Whether a file:// request for `file` gets through the session's filter.
+function allowedBy(ses) {
+  return (file) => new Promise((resolve) => {
+    ses.filter({ url: pathToFileURL(file).href }, ({ cancel }) => resolve(!cancel));
+  });
+}
+
+async function restrictedSession(targetUrl, allow = []) {
+  const ses = { webRequest: { onBeforeRequest: (filter, listener) => { ses.filter = listener; } } };
+  await restrictLocalFileAccess(ses, targetUrl, { allow, logLevel: 'none' });
+  return allowedBy(ses);
+}
+
+test('treats names starting with .. as children', () => {
+  const root = path.join(dir, 'site');
+  assert.strictEqual(isPathInside(path.join(root, '..assets', 'x.css'), root), true);
+  assert.strictEqual(isPathInside(root, root), true);
+  assert.strictEqual(isPathInside(dir, root), false);
+  assert.strictEqual(isPathInside(path.join(dir, 'other', 'x.css'), root), false);
+});
+
+test('allows the input directory and --allow paths only', async () => {
+  const input = write('site/index.html');
+  const allowed = await restrictedSession(pathToFileURL(input).href, [path.join(dir, 'shared')]);
+  assert.strictEqual(await allowed(write('site/..assets/x.css')), true);
+  assert.strictEqual(await allowed(write('site/img/a.png')), true);
+  assert.strictEqual(await allowed(write('shared/fonts.css')), true);
+  assert.strictEqual(await allowed(write('secret.txt')), false);
+});
+
+test('allows the assets of a symlinked input', async () => {
+  const real = write('real/report.html');
+  write('real/style.css');
+  write('links/logo.png');
+  fs.symlinkSync(real, path.join(dir, 'links/report.html'));
+  fs.symlinkSync(path.join(dir, 'real'), path.join(dir, 'linked-dir'));
+
+  const viaFile = await restrictedSession(pathToFileURL(path.join(dir, 'links/report.html')).href);
+  assert.strictEqual(await viaFile(path.join(dir, 'links/report.html')), true);
+  assert.strictEqual(await viaFile(path.join(dir, 'links/logo.png')), true);
+  assert.strictEqual(await viaFile(path.join(dir, 'real/style.css')), true);
+  assert.strictEqual(await viaFile(write('secret.txt')), false);
+
+  const viaDir = await restrictedSession(pathToFileURL(path.join(dir, 'linked-dir/report.html')).href);
+  assert.strictEqual(await viaDir(path.join(dir, 'linked-dir/style.css')), true);
+});
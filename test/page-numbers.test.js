@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { PDFDocument, PDFName } = require('pdf-lib');
+require('./fixtures/electron');
+const {
+  assignPageNumbers, buildPageInfos, pageVariables, romanNumeral, writePageLabels,
+} = require('../src/main');
+
+function part(kind, pageCount, options = {}) {
+  return {
+    input: kind,
+    rendered: { pageCount, headings: [], url: `file:///${kind}.html`, title: kind },
+    options,
+    isToc: kind === 'toc',
+    isCover: kind === 'cover',
+  };
+}
+
+function sampleParts() {
+  return [part('cover', 1), part('toc', 2), part('a', 3), part('b', 2, { pageLabelPrefix: 'B-' })];
+}
+
+test('writes roman numerals', () => {
+  assert.deepStrictEqual([1, 4, 9, 14, 40, 1994].map(romanNumeral), ['i', 'iv', 'ix', 'xiv', 'xl', 'mcmxciv']);
+});
+
+test('[page] and [topage] count the TOC but not the covers', () => {
+  const parts = sampleParts();
+  assignPageNumbers(parts, 0);
+  const infos = buildPageInfos(parts);
+  assert.strictEqual(infos[0], null);
+  assert.deepStrictEqual(infos.slice(1).map((info) => info.pageNumber), [1, 2, 3, 4, 5, 6, 7]);
+
+  const vars = pageVariables({ info: infos[3], fromPage: 1, toPage: 7, docTitle: 'doc', now: new Date() });
+  assert.strictEqual(vars.page, 3);
+  assert.strictEqual(vars.topage, 7);
+});
+
+test('--page-offset shifts the page numbers and the body page labels', () => {
+  const parts = sampleParts();
+  assignPageNumbers(parts, 4);
+  assert.deepStrictEqual(parts.map((p) => [p.pageOffset, p.firstPageNumber]), [[0, null], [1, 5], [3, 7], [6, 10]]);
+  assert.deepStrictEqual(
+    buildPageInfos(parts).slice(1).map((info) => info.pageLabel),
+    ['ii', 'iii', '5', '6', '7', 'B-8', 'B-9'],
+  );
+});
+
+test('writes PageLabels ranges for the front matter and each prefix', async () => {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < 8; i++) doc.addPage();
+  const parts = sampleParts();
+  assignPageNumbers(parts, 0);
+  writePageLabels(doc, parts);
+
+  const nums = doc.catalog.lookup(PDFName.of('PageLabels')).lookup(PDFName.of('Nums')).asArray();
+  const ranges = [];
+  for (let i = 0; i < nums.length; i += 2) {
+    const label = nums[i + 1];
+    const start = label.get(PDFName.of('St'));
+    const prefix = label.get(PDFName.of('P'));
+    ranges.push([
+      nums[i].asNumber(),
+      label.get(PDFName.of('S')).decodeText(),
+      start ? start.asNumber() : 1,
+      prefix ? prefix.decodeText() : '',
+    ]);
+  }
+  assert.deepStrictEqual(ranges, [[0, 'r', 1, ''], [3, 'D', 1, ''], [6, 'D', 4, 'B-']]);
+});
@@ -0,0 +1,48 @@
+const assert = require('assert');
+const { test } = require('node:test');
+require('./fixtures/electron');
+const { parseArgsArray } = require('../src/main');
+
+test('options after an input apply to that input only', () => {
+  const { inputs, outputFile, options, pageOptions } = parseArgsArray([
+    '--zoom', '1.5', '-O', 'Landscape',
+    'a.html', '--zoom', '2', '--header-center', 'A',
+    'b.html',
+    'out.pdf',
+  ]);
+  assert.deepStrictEqual(inputs, ['a.html', 'b.html']);
+  assert.strictEqual(outputFile, 'out.pdf');
+  assert.strictEqual(options.zoomFactor, 1.5);
+  assert.strictEqual(options.orientation, 'Landscape');
+  assert.strictEqual(options.headerCenter, undefined);
+  assert.deepStrictEqual(pageOptions.inputs, [{ zoomFactor: 2, headerCenter: 'A' }, {}]);
+});
+
+test('document options apply to the whole document wherever they are given', () => {
+  const { options, pageOptions } = parseArgsArray(['a.html', '--grayscale', '--page-offset', '3', 'out.pdf']);
+  assert.strictEqual(options.grayscale, true);
+  assert.strictEqual(options.pageOffset, 3);
+  assert.deepStrictEqual(pageOptions.inputs, [{}]);
+});
+
+test('options after the output file apply to everything', () => {
+  const { options, pageOptions } = parseArgsArray(['a.html', 'out.pdf', '--zoom', '3']);
+  assert.strictEqual(options.zoomFactor, 3);
+  assert.deepStrictEqual(pageOptions.inputs, [{}]);
+});
+
+test('cover and toc objects take the options given after them', () => {
+  const { inputs, options, pageOptions } = parseArgsArray([
+    'cover', 'cover.html', '--page-size', 'A5',
+    'toc', '--zoom', '0.8',
+    'a.html',
+    'out.pdf',
+  ]);
+  assert.deepStrictEqual(inputs, ['a.html']);
+  assert.deepStrictEqual(options.covers, ['cover.html']);
+  assert.strictEqual(options.toc, true);
+  assert.strictEqual(options.pageSize, undefined);
+  assert.strictEqual(pageOptions.covers[0].pageSize, 'A5');
+  assert.strictEqual(pageOptions.toc.zoomFactor, 0.8);
+  assert.deepStrictEqual(pageOptions.inputs, [{}]);
+});
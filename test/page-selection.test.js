@@ -0,0 +1,28 @@
+const assert = require('assert');
+const { test } = require('node:test');
+require('./fixtures/electron');
+const { backgroundPageFor, parsePageRanges } = require('../src/main');
+
+test('parses 1-based page ranges', () => {
+  assert.deepStrictEqual(parsePageRanges('1,3-5,8-'), [[1, 1], [3, 5], [8, Infinity]]);
+  assert.deepStrictEqual(parsePageRanges(' 2 - 4 , -3 '), [[2, 4], [1, 3]]);
+  for (const bad of ['', '0', '5-3', '1,,2', 'a', '3-x', '-']) {
+    assert.strictEqual(parsePageRanges(bad), null, bad);
+  }
+});
+
+test('uses the first background page for page 1 and the second for the rest', () => {
+  const pages = (options, pageCount) => [1, 2, 3, 4].map((n) => backgroundPageFor(n, options, pageCount));
+  assert.deepStrictEqual(pages({}, 2), [1, 2, 2, 2]);
+  assert.deepStrictEqual(pages({}, 1), [1, 1, 1, 1]);
+});
+
+test('selects background pages with --background-pdf-first/-rest/-odd/-even', () => {
+  const pages = (options) => [1, 2, 3, 4].map((n) => backgroundPageFor(n, options, 4));
+  assert.deepStrictEqual(pages({ backgroundPdfFirst: 3 }), [3, 0, 0, 0]);
+  assert.deepStrictEqual(pages({ backgroundPdfRest: 2 }), [0, 2, 2, 2]);
+  assert.deepStrictEqual(pages({ backgroundPdfFirst: 1, backgroundPdfRest: 2 }), [1, 2, 2, 2]);
+  assert.deepStrictEqual(pages({ backgroundPdfOdd: 1, backgroundPdfEven: 2 }), [1, 2, 1, 2]);
+  // The first page wins over odd, odd and even over rest.
+  assert.deepStrictEqual(pages({ backgroundPdfFirst: 4, backgroundPdfOdd: 1, backgroundPdfRest: 3 }), [4, 3, 1, 3]);
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, after } = require('node:test');
+const { pages, windows } = require('./fixtures/electron');
+const { buildPostRequest, parseArgsArray, renderDocument } = require('../src/main');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron2pdf-post-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+pages.set('http://site.test/report', {});
+
+function render(...args) {
+  const { inputs, options, pageOptions } = parseArgsArray(['--log-level', 'none', '--javascript-delay', '0', ...args]);
+  return renderDocument({ inputs, options, pageOptions });
+}
+
+test('sends --post fields form-urlencoded', async () => {
+  const request = await buildPostRequest({ post: [{ name: 'a b', value: 'x&y' }, { name: 'n', value: 'é' }], postFile: [] });
+  assert.strictEqual(request.extraHeaders, 'Content-Type: application/x-www-form-urlencoded\n');
+  assert.strictEqual(request.postData[0].bytes.toString('utf8'), 'a+b=x%26y&n=%C3%A9');
+  assert.strictEqual(await buildPostRequest({ post: [], postFile: [] }), null);
+});
+
+test('sends --post-file as multipart/form-data', async () => {
+  const file = path.join(dir, 'data.csv');
+  fs.writeFileSync(file, 'a,b\n1,2\n');
+  const request = await buildPostRequest({ post: [{ name: 'id', value: '7' }], postFile: [{ name: 'upload', path: file }] });
+
+  const boundary = /^Content-Type: multipart\/form-data; boundary=(\S+)\n$/.exec(request.extraHeaders)[1];
+  assert.strictEqual(request.postData[0].bytes.toString('utf8'), [
+    `--${boundary}`, 'Content-Disposition: form-data; name="id"', '', '7',
+    `--${boundary}`, 'Content-Disposition: form-data; name="upload"; filename="data.csv"',
+    'Content-Type: application/octet-stream', '', 'a,b\n1,2\n',
+    `--${boundary}--`, '',
+  ].join('\r\n'));
+});
+
+test('posts the body with the main document request', async () => {
+  await render('--post', 'id', '7', 'http://site.test/report', 'out.pdf');
+  const win = windows[windows.length - 1];
+  assert.strictEqual(win.url, 'http://site.test/report');
+  assert.strictEqual(win.loadOptions.postData[0].bytes.toString('utf8'), 'id=7');
+});
+
+test('closes the render window when a render fails', async () => {
+  const missing = path.join(dir, 'missing');
+  await assert.rejects(render('--post-file', 'f', missing, 'http://site.test/report', 'out.pdf'), { code: 'ENOENT' });
+  await assert.rejects(render('--ca-file', missing, 'http://site.test/report', 'out.pdf'), { code: 'ENOENT' });
+  await assert.rejects(render('--run-script', missing, 'http://site.test/report', 'out.pdf'), { code: 'ENOENT' });
+  assert.ok(windows.length > 0);
+  assert.deepStrictEqual(windows.filter((win) => !win.isDestroyed()), []);
+});
@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { test } = require('node:test');
+require('./fixtures/electron');
+const { waitForReadiness } = require('../src/main');
+
+// A page whose selector never matches and whose --wait-for-function is true.
+function fakeWindow() {
+  const scripts = [];
+  return {
+    scripts,
+    webContents: {
+      getURL: () => 'http://site.test/',
+      executeJavaScript: async (js) => {
+        scripts.push(js);
+        return js.includes('window.chartsDone');
+      },
+    },
+  };
+}
+
+const idle = { inFlight: new Set(), lastActivity: 0 };
+const busy = { inFlight: new Set([1]), lastActivity: Date.now() };
+
+async function stderrOf(fn) {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = (text) => lines.push(String(text));
+  try {
+    await fn();
+  } finally {
+    process.stderr.write = write;
+  }
+  return lines;
+}
+
+const options = {
+  waitForSelector: '#chart',
+  waitForFunction: 'window.chartsDone',
+  waitTimeoutMs: 300,
+  waitTimeoutAction: 'print',
+  logLevel: 'info',
+};
+
+test('checks the remaining conditions after one times out', async () => {
+  const win = fakeWindow();
+  const lines = await stderrOf(() => waitForReadiness(win, idle, options));
+  assert.deepStrictEqual(lines, [
+    'Timed out after 300ms waiting for selector #chart on http://site.test/, printing anyway\n',
+  ]);
+  assert.ok(win.scripts.some((js) => js.includes('window.chartsDone')));
+});
+
+test('reports every condition that times out', async () => {
+  const lines = await stderrOf(() => waitForReadiness(fakeWindow(), busy, { ...options, waitForNetworkIdleMs: 50 }));
+  assert.deepStrictEqual(lines.map((line) => line.replace(/ on .*/s, '')), [
+    'Timed out after 300ms waiting for selector #chart',
+    'Timed out after 300ms waiting for network idle',
+  ]);
+});
+
+test('fails on the first timeout with --wait-timeout-action fail', async () => {
+  const win = fakeWindow();
+  await assert.rejects(
+    waitForReadiness(win, idle, { ...options, waitTimeoutAction: 'fail' }),
+    { name: 'LoadError', exitCode: 6 },
+  );
+  assert.ok(!win.scripts.some((js) => js.includes('window.chartsDone')));
+});
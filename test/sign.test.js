@@ -0,0 +1,157 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFile, execFileSync, spawnSync } = require('child_process');
+const { promisify } = require('util');
+const { test, after } = require('node:test');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+require('./fixtures/electron');
+const { signPdf } = require('../src/main');
+const { createCertificate } = require('./fixtures/certificates');
+
+const noOpenssl = spawnSync('openssl', ['version']).error ? 'openssl is not installed' : false;
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'electron2pdf-sign-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const ca = createCertificate({ commonName: 'Test CA', isCa: true });
+const signer = createCertificate({ commonName: 'Test Signer', issuer: ca });
+const tsa = createCertificate({ commonName: 'Test TSA', issuer: ca, extKeyUsage: ['timeStamping'] });
+const file = (name, data) => {
+  const p = path.join(dir, name);
+  if (data !== undefined) fs.writeFileSync(p, data);
+  return p;
+};
+file('ca.pem', ca.pem);
+file('signer.p12', Buffer.from(forge.asn1.toDer(
+  forge.pkcs12.toPkcs12Asn1(signer.key, [signer.cert, ca.cert], 'secret', { algorithm: '3des' }),
+).getBytes(), 'binary'));
+file('password.txt', 'secret\n');
+
+const signOptions = {
+  signP12: file('signer.p12'),
+  signPasswordFile: file('password.txt'),
+  signReason: 'Approved',
+  signLocation: 'Test',
+  signPage: 1,
+  signRect: undefined,
+  signTimestampUrl: undefined,
+  waitTimeoutMs: 5000,
+};
+
+async function samplePdf() {
+  const doc = await PDFDocument.create();
+  doc.addPage([200, 200]).drawText('signed', { x: 20, y: 100 });
+  doc.addPage([200, 200]);
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+// The signed bytes and the CMS of the signature in `pdf`.
+function signatureOf(pdf) {
+  const match = /\/ByteRange \[(\d+) (\d+) (\d+) (\d+)\]/.exec(pdf.toString('latin1'));
+  assert.ok(match, 'no /ByteRange');
+  const [start, length1, offset2, length2] = match.slice(1).map(Number);
+  assert.strictEqual(start, 0);
+  assert.strictEqual(offset2 + length2, pdf.length);
+  const contents = pdf.subarray(length1, offset2).toString('latin1');
+  assert.match(contents, /^<[0-9a-f]+>$/);
+
+  const der = Buffer.from(contents.slice(1, -1), 'hex');
+  const cms = forge.asn1.fromDer(der.toString('binary'), { parseAllBytes: false });
+  return {
+    data: Buffer.concat([pdf.subarray(0, length1), pdf.subarray(offset2)]),
+    cms: Buffer.from(forge.asn1.toDer(cms).getBytes(), 'binary'),
+    asn1: cms,
+  };
+}
+
+function verifyCms(data, cms) {
+  execFileSync('openssl', [
+    'cms', '-verify', '-binary', '-inform', 'DER', '-in', file('sig.der', cms),
+    '-content', file('data.bin', data), '-CAfile', file('ca.pem'), '-purpose', 'any', '-out', os.devNull,
+  ], { stdio: 'pipe' });
+}
+
+// A stand-in RFC 3161 server backed by `openssl ts -reply`.
+async function startTsa() {
+  file('tsa.pem', tsa.pem);
+  file('tsa.key', forge.pki.privateKeyToPem(tsa.key));
+  file('tsaserial', '01\n');
+  file('ts.cnf', [
+    '[ tsa ]', 'default_tsa = tsa_config1', '[ tsa_config1 ]',
+    `serial = ${file('tsaserial')}`, 'signer_digest = sha256', 'default_policy = 1.2.3.4.1',
+    'digests = sha256', 'ess_cert_id_alg = sha256', '',
+  ].join('\n'));
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const { stdout } = await promisify(execFile)('openssl', [
+        'ts', '-reply', '-config', file('ts.cnf'), '-queryfile', file('query.tsq', Buffer.concat(chunks)),
+        '-signer', file('tsa.pem'), '-inkey', file('tsa.key'),
+      ], { encoding: 'buffer' });
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' });
+      res.end(stdout);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+test('signs the whole file but the signature over a ByteRange', { skip: noOpenssl }, async () => {
+  const pdf = await samplePdf();
+  const signed = await signPdf(pdf, signOptions, null);
+
+  assert.ok(signed.subarray(0, pdf.length).equals(pdf), 'the signature is not an incremental update');
+  const { data, cms } = signatureOf(signed);
+  verifyCms(data, cms);
+
+  const tampered = Buffer.from(data);
+  tampered[tampered.length >> 1] ^= 1;
+  assert.throws(() => verifyCms(tampered, cms));
+
+  const doc = await PDFDocument.load(signed);
+  assert.strictEqual(doc.getPageCount(), 2);
+});
+
+test('adds a timestamp token for the signature', { skip: noOpenssl }, async () => {
+  const server = await startTsa();
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    const signed = await signPdf(await samplePdf(), { ...signOptions, signTimestampUrl: url }, null);
+    const { data, cms, asn1 } = signatureOf(signed);
+    verifyCms(data, cms);
+
+    // ContentInfo > [0] > SignedData > signerInfos (last) > first SignerInfo,
+    // whose signature precedes the unsigned attributes.
+    const signedData = asn1.value[1].value[0];
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+    const signature = Buffer.from(signerInfo.value[signerInfo.value.length - 2].value, 'binary');
+    const token = signerInfo.value[signerInfo.value.length - 1].value[0].value[1].value[0];
+    execFileSync('openssl', [
+      'ts', '-verify', '-token_in', '-in', file('token.der', Buffer.from(forge.asn1.toDer(token).getBytes(), 'binary')),
+      '-digest', crypto.createHash('sha256').update(signature).digest('hex'), '-CAfile', file('ca.pem'),
+    ], { stdio: 'pipe' });
+  } finally {
+    server.close();
+  }
+});
+
+test('gives up on a timestamp server that does not answer', async () => {
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/`;
+    await assert.rejects(
+      signPdf(await samplePdf(), { ...signOptions, signTimestampUrl: url, waitTimeoutMs: 200 }, null),
+      { name: 'LoadError', exitCode: 3, message: `Cannot timestamp with ${url}: no answer within 200ms` },
+    );
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});